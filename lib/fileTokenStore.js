@@ -0,0 +1,153 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Token store keeping the tokens in files of a directory, which API instances sharing the directory
+ * (e.g. a volume mounted by every replica) share. Locks are lock files, so they also hold across instances
+ */
+class FileTokenStore {
+    /**
+     * Constructor for FileTokenStore
+     * @method constructor
+     * @param  {Object}  config
+     * @param  {String}  config.path                    Directory of the token files
+     * @param  {Number}  [config.lockTimeout]           Milliseconds to wait for a lock, 30000 more than staleLockAge
+     *                                                  by default so that a stale lock is taken over before
+     * @param  {Number}  [config.staleLockAge=60000]    Milliseconds after which a lock is left by a crashed holder
+     * @param  {Number}  [config.retryInterval=100]     Milliseconds between attempts to take a lock
+     * @return {FileTokenStore}
+     */
+    constructor({ path: directory, staleLockAge = 60000, lockTimeout = staleLockAge + 30000, retryInterval = 100 }) {
+        this.directory = directory;
+        this.lockTimeout = lockTimeout;
+        this.staleLockAge = staleLockAge;
+        this.retryInterval = retryInterval;
+    }
+
+    /**
+     * Get the path of the file of a key
+     * @method _getFile
+     * @param  {String}  key    Key of the tokens
+     * @return {String}
+     */
+    _getFile(key) {
+        return path.join(this.directory, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+    }
+
+    /**
+     * Get the tokens of a key
+     * @async  get
+     * @param  {String}  key    Key of the tokens
+     * @return {Promise}        Resolves to the tokens (token, refreshToken, expiresIn), or null
+     */
+    async get(key) {
+        try {
+            return JSON.parse(await fs.readFile(this._getFile(key), 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return null;
+            }
+
+            throw err;
+        }
+    }
+
+    /**
+     * Set the tokens of a key. The file is replaced at once, so that readers never see a partial file
+     * @async  set
+     * @param  {String}  key    Key of the tokens
+     * @param  {Object}  value  Tokens (token, refreshToken, expiresIn)
+     * @return {Promise}
+     */
+    async set(key, value) {
+        const file = this._getFile(key);
+        const temporaryFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}`;
+
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(temporaryFile, JSON.stringify(value), { mode: 0o600 });
+        await fs.rename(temporaryFile, file);
+    }
+
+    /**
+     * Remove a stale lock file. It is first moved aside, which only one of the waiters finding it stale manages,
+     * so that no waiter removes the lock another one has taken in the meantime
+     * @async  _takeOver
+     * @param  {String}  lockFile   Path of the lock file
+     * @param  {Number}  ino        Inode of the lock file found stale
+     * @return {Promise}
+     */
+    async _takeOver(lockFile, ino) {
+        const staleFile = `${lockFile}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.stale`;
+
+        try {
+            await fs.rename(lockFile, staleFile);
+        } catch (err) {
+            // another waiter took it over first
+            if (err.code === 'ENOENT') {
+                return;
+            }
+
+            throw err;
+        }
+
+        // the lock was taken over and taken again since it was found stale, so it goes back to its holder
+        if ((await fs.stat(staleFile)).ino !== ino) {
+            await fs.link(staleFile, lockFile).catch(() => {});
+        }
+
+        await fs.rm(staleFile, { force: true });
+    }
+
+    /**
+     * Run a task while holding the lock file of a key
+     * @async  lock
+     * @param  {String}    key     Key to lock
+     * @param  {Function}  task    Task to run, which may return a promise
+     * @return {Promise}           Resolves to the result of the task
+     */
+    async lock(key, task) {
+        const lockFile = `${this._getFile(key)}.lock`;
+        const deadline = Date.now() + this.lockTimeout;
+
+        await fs.mkdir(this.directory, { recursive: true });
+
+        for (;;) {
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                await (await fs.open(lockFile, 'wx')).close();
+                break;
+            } catch (err) {
+                if (err.code !== 'EEXIST') {
+                    throw err;
+                }
+            }
+
+            // eslint-disable-next-line no-await-in-loop
+            const { mtimeMs, ino } = await fs.stat(lockFile).catch(() => ({ mtimeMs: Date.now() }));
+
+            // a holder which crashed leaves its lock file behind
+            if (Date.now() - mtimeMs > this.staleLockAge) {
+                // eslint-disable-next-line no-await-in-loop
+                await this._takeOver(lockFile, ino);
+            } else if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for the token lock ${lockFile}`);
+            } else {
+                // eslint-disable-next-line no-await-in-loop
+                await new Promise(resolve => {
+                    setTimeout(resolve, this.retryInterval);
+                });
+            }
+        }
+
+        try {
+            return await task();
+        } finally {
+            await fs.rm(lockFile, { force: true });
+        }
+    }
+}
+
+module.exports = FileTokenStore;
@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * Token store keeping the tokens in memory, for a single API instance.
+ * A token store keeps, by key, the access token of the OAuth consumer with its refresh token and expiry
+ */
+class MemoryTokenStore {
+    /**
+     * Constructor for MemoryTokenStore
+     * @method constructor
+     * @return {MemoryTokenStore}
+     */
+    constructor() {
+        this.tokens = new Map();
+        this.locks = new Map();
+    }
+
+    /**
+     * Get the tokens of a key
+     * @async  get
+     * @param  {String}  key    Key of the tokens
+     * @return {Promise}        Resolves to the tokens (token, refreshToken, expiresIn), or null
+     */
+    async get(key) {
+        return this.tokens.get(key) || null;
+    }
+
+    /**
+     * Set the tokens of a key
+     * @async  set
+     * @param  {String}  key    Key of the tokens
+     * @param  {Object}  value  Tokens (token, refreshToken, expiresIn)
+     * @return {Promise}
+     */
+    async set(key, value) {
+        this.tokens.set(key, value);
+    }
+
+    /**
+     * Run a task while holding the lock of a key; tasks locking the same key run one after the other
+     * @async  lock
+     * @param  {String}    key     Key to lock
+     * @param  {Function}  task    Task to run, which may return a promise
+     * @return {Promise}           Resolves to the result of the task
+     */
+    async lock(key, task) {
+        const previous = this.locks.get(key) || Promise.resolve();
+        const current = previous.catch(() => {}).then(() => task());
+
+        this.locks.set(key, current);
+
+        try {
+            return await current;
+        } finally {
+            if (this.locks.get(key) === current) {
+                this.locks.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = MemoryTokenStore;
@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * Error of a call made with a user token which Bitbucket rejects, and which cannot be refreshed:
+ * the user has to log in again
+ */
+class ReauthenticationError extends Error {
+    /**
+     * Constructor for ReauthenticationError
+     * @method constructor
+     * @param  {String}  message     Error message
+     * @param  {Error}   [cause]     Error which made re-authentication necessary or failed it
+     * @return {ReauthenticationError}
+     */
+    constructor(message, cause) {
+        super(message);
+
+        this.name = 'ReauthenticationError';
+        this.statusCode = 401;
+        this.cause = cause;
+    }
+}
+
+module.exports = ReauthenticationError;
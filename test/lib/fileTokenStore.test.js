@@ -0,0 +1,102 @@
+'use strict';
+
+const { assert } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileTokenStore = require('../../lib/fileTokenStore');
+
+describe('FileTokenStore', () => {
+    let directory;
+    let store;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sd-bitbucket-tokens-'));
+        store = new FileTokenStore({ path: path.join(directory, 'tokens'), lockTimeout: 100, retryInterval: 10 });
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('gets the tokens set for a key by any store of the directory', () =>
+        store
+            .get('bitbucket:bitbucket.org:client')
+            .then(tokens => {
+                assert.isNull(tokens);
+
+                return store.set('bitbucket:bitbucket.org:client', { token: 'token', expiresIn: 1 });
+            })
+            .then(() =>
+                new FileTokenStore({ path: path.join(directory, 'tokens') }).get('bitbucket:bitbucket.org:client')
+            )
+            .then(tokens => {
+                const [file] = fs.readdirSync(path.join(directory, 'tokens'));
+
+                assert.deepEqual(tokens, { token: 'token', expiresIn: 1 });
+                assert.strictEqual(fs.statSync(path.join(directory, 'tokens', file)).mode & 0o777, 0o600); // eslint-disable-line no-bitwise
+            }));
+
+    it('runs the tasks locking a key one after the other, across stores', () => {
+        const otherStore = new FileTokenStore({ path: path.join(directory, 'tokens'), retryInterval: 10 });
+        const steps = [];
+        const task = name => () =>
+            new Promise(resolve => {
+                steps.push(`${name} start`);
+                setTimeout(() => {
+                    steps.push(`${name} end`);
+                    resolve(name);
+                }, 30);
+            });
+
+        return Promise.all([store.lock('key', task('first')), otherStore.lock('key', task('second'))]).then(results => {
+            assert.deepEqual(results, ['first', 'second']);
+            assert.deepEqual(steps, ['first start', 'first end', 'second start', 'second end']);
+            assert.deepEqual(fs.readdirSync(path.join(directory, 'tokens')), []);
+        });
+    });
+
+    it('times out waiting for a lock which is held', () =>
+        store
+            .lock('key', () => store.lock('key', () => 'never'))
+            .then(
+                () => assert.fail('Should not get here'),
+                err => assert.match(err.message, /^Timed out waiting for the token lock/)
+            ));
+
+    it('takes over a stale lock', () => {
+        const lockFile = `${store._getFile('key')}.lock`; // eslint-disable-line no-underscore-dangle
+        const staleTime = new Date(Date.now() - 120 * 1000);
+
+        fs.mkdirSync(path.join(directory, 'tokens'));
+        fs.writeFileSync(lockFile, '');
+        fs.utimesSync(lockFile, staleTime, staleTime);
+
+        return store.lock('key', () => 'taken').then(result => assert.strictEqual(result, 'taken'));
+    });
+
+    it('does not take over a lock taken again since it was found stale', async () => {
+        const lockFile = `${store._getFile('key')}.lock`; // eslint-disable-line no-underscore-dangle
+        const staleTime = new Date(Date.now() - 120 * 1000);
+
+        fs.mkdirSync(path.join(directory, 'tokens'));
+        fs.writeFileSync(lockFile, '');
+        fs.utimesSync(lockFile, staleTime, staleTime);
+
+        const { ino } = fs.statSync(lockFile);
+
+        // another waiter took the stale lock over and holds a new one
+        fs.writeFileSync(`${lockFile}.new`, '');
+        fs.renameSync(`${lockFile}.new`, lockFile);
+        await store._takeOver(lockFile, ino); // eslint-disable-line no-underscore-dangle
+
+        assert.notStrictEqual(fs.statSync(lockFile).ino, ino);
+        assert.deepEqual(fs.readdirSync(path.join(directory, 'tokens')), [path.basename(lockFile)]);
+    });
+
+    it('waits longer for a lock than it takes to become stale', () => {
+        const defaultStore = new FileTokenStore({ path: directory });
+
+        assert.isAbove(defaultStore.lockTimeout, defaultStore.staleLockAge);
+    });
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+const { assert } = require('chai');
+const MemoryTokenStore = require('../../lib/memoryTokenStore');
+
+describe('MemoryTokenStore', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new MemoryTokenStore();
+    });
+
+    it('gets the tokens set for a key', () =>
+        store
+            .get('bitbucket:bitbucket.org:client')
+            .then(tokens => {
+                assert.isNull(tokens);
+
+                return store.set('bitbucket:bitbucket.org:client', { token: 'token', expiresIn: 1 });
+            })
+            .then(() => store.get('bitbucket:bitbucket.org:client'))
+            .then(tokens => assert.deepEqual(tokens, { token: 'token', expiresIn: 1 })));
+
+    it('runs the tasks locking a key one after the other', () => {
+        const steps = [];
+        const task = name => () =>
+            new Promise(resolve => {
+                steps.push(`${name} start`);
+                setTimeout(() => {
+                    steps.push(`${name} end`);
+                    resolve(name);
+                }, 10);
+            });
+
+        return Promise.all([store.lock('key', task('first')), store.lock('key', task('second'))]).then(results => {
+            assert.deepEqual(results, ['first', 'second']);
+            assert.deepEqual(steps, ['first start', 'first end', 'second start', 'second end']);
+            assert.strictEqual(store.locks.size, 0);
+        });
+    });
+
+    it('releases the lock when a task fails', () =>
+        store
+            .lock('key', () => Promise.reject(new Error('failed')))
+            .catch(err => assert.strictEqual(err.message, 'failed'))
+            .then(() => store.lock('key', () => 'next'))
+            .then(result => assert.strictEqual(result, 'next')));
+});